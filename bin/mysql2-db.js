@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * mysql2-db migrate up [version] | down [version] | status | unlock
+ *
+ * Connects with --url if you give one, and otherwise with the DB_*
+ * environment variables (see db.fromEnv() in the README).
+ */
+const db = require('../db');
+const migrations = require('../migrations');
+
+const USAGE = [
+    "Usage: mysql2-db migrate <command> [options]",
+    "",
+    "Commands:",
+    "  up [version]     apply pending migrations (up to and including version)",
+    "  down [version]   roll back the latest migration (or every one after version)",
+    "  status           list migrations and whether they've been applied",
+    "  unlock           take away the lock left behind by a migration that died",
+    "",
+    "Options:",
+    "  --dir <path>     where the migrations are (default ./migrations)",
+    "  --table <name>   where applied migrations are recorded (default schema_migrations)",
+    "  --url <url>      database to migrate (default: from DB_URL, DB_HOST, etc.)",
+    "  --env <prefix>   environment variable prefix to use instead of DB_"
+].join("\n");
+
+main(process.argv.slice(2));
+
+function main(args) {
+    var options = {};
+    var words = [];
+    for (var i = 0; i < args.length; i++) {
+        var m = /^--(dir|table|url|env)(?:=(.*))?$/.exec(args[i]);
+        if (m) options[m[1]] = (m[2] !== undefined) ? m[2] : args[++i];
+        else if (args[i] == '--help' || args[i] == '-h') return finish(null, USAGE);
+        else words.push(args[i]);
+    }
+    var command = words[1];
+    var version = (words[2] !== undefined) ? Number(words[2]) : null;
+    if (words[0] != 'migrate' || ['up', 'down', 'status', 'unlock'].indexOf(command) == -1) return finish(USAGE);
+    if (words.length > 3 || (version !== null && (command == 'status' || command == 'unlock' || !(version >= 0)))) return finish(USAGE);
+
+    var migrator;
+    try {
+        var cfg = options.url ? db.parseUrl(options.url) : db.fromEnv(options.env);
+        migrator = migrations.migrator(cfg, { directory: options.dir, table: options.table });
+    } catch (err) {
+        return finish(err.message);
+    }
+
+    if (command == 'status')
+        migrator.status((err, list) => {
+            if (err) return finish(err.message);
+            if (!list.length) return finish(null, "No migrations found.");
+            finish(null, list.map((migration) => {
+                var state = migration.missing ? "missing" : (migration.changed ? "changed" : (migration.applied ? "applied" : "pending"));
+                return state + "\t" + migration.id + (migration.appliedAt ? "\t" + formatTime(migration.appliedAt) : "");
+            }).join("\n"));
+        });
+    else if (command == 'unlock')
+        migrator.unlock((err) => finish(err && err.message, "Unlocked."));
+    else
+        migrator[command](version, (err, versions) => {
+            var report = (versions && versions.length) ? (command == 'up' ? "Applied " : "Rolled back ") + versions.join(", ") + "." : "Nothing to do.";
+            if (err) return finish((versions && versions.length ? report + "\n" : "") + (err.migration ? err.migration + ": " : "") + err.message);
+            finish(null, report);
+        });
+}
+
+function formatTime(t) {
+    return (t instanceof Date) ? t.toISOString().replace('T', ' ').substring(0, 19) : String(t);
+}
+
+// prints the outcome, closes the pools, and exits (with 1 if there's an error)
+function finish(err, output) {
+    if (err) console.error(err);
+    else if (output) console.log(output);
+    db.curtains(() => {
+        process.exit(err ? 1 : 0);
+    });
+}
@@ -0,0 +1,133 @@
+/**
+ * The SQL behind stage.insert(), upsert(), update() and delete(), which are
+ * written as objects whose keys are column names:
+ *
+ *     stage.insert('users', { name: 'Ann', email: 'ann@example.com' })
+ *     stage.update('users', { email: 'ann@example.org' }, { id: 5 })
+ *
+ * Names are quoted as with db.id(), and values are bound as ? params, one
+ * param row per object, so what comes out is an ordinary statement for the
+ * stage. A value can also be a fragment (from db.sql or db.raw), which is
+ * pasted in, so db.raw('$0.insertId') refers to an earlier result. An
+ * upsert's ON DUPLICATE KEY or ON CONFLICT clause depends on the driver, so
+ * it's added by upsertClause() when the statement runs.
+ */
+const errors = require('./errors');
+const fragments = require('./fragments');
+
+/**
+ * insert into table (columns...) values (...), as { sql, params, columns }.
+ * rows is an object or an array of them, all with the same columns. For an
+ * upsert, pass { options }, where options are upsert()'s, and you also get
+ * upsert, which is what upsertClause() needs.
+ */
+function insert(table, rows, upsert) {
+    var what = upsert ? "upsert()" : "insert()";
+    rows = Array.isArray(rows) ? rows : [rows];
+    if (!rows.length || !isRow(rows[0]) || !Object.keys(rows[0]).length)
+        throw new errors.DbValidationError('PARAM_SHAPE_MISMATCH', what + " needs a row (an object with at least one column) or an array of them.", table);
+    var columns = Object.keys(rows[0]);
+    var names = columns.map(quote);
+    var tuple = null;
+    var params = rows.map((row, r) => {
+        if (!isRow(row) || Object.keys(row).length != columns.length || columns.some((column) => !row.hasOwnProperty(column)))
+            throw new errors.DbValidationError('PARAM_SHAPE_MISMATCH', what + " needs every row to have the same columns as the first (" + columns.join(", ") + "), but row " + r + " doesn't.", table);
+        var args = [];
+        var text = "(" + columns.map((column) => bind(row[column], args)).join(", ") + ")";
+        if (tuple !== null && text != tuple)
+            throw new errors.DbValidationError('PARAM_SHAPE_MISMATCH', what + " can only take db.sql values that are the same in every row, but row " + r + " has different ones.", table);
+        tuple = text;
+        return args;
+    });
+    var sql = "insert into " + quote(table) + " (" + names.join(", ") + ") values " + tuple;
+    if (upsert) {
+        var options = upsert.options || {};
+        var conflict = options.conflictColumns || [];
+        var update = options.updateColumns || columns.filter((column) => conflict.indexOf(column) == -1);
+        if (!Array.isArray(conflict) || !Array.isArray(update))
+            throw new errors.DbValidationError('PARAM_SHAPE_MISMATCH', "upsert()'s conflictColumns and updateColumns need to be arrays of column names.", table);
+        update.forEach((column) => {
+            if (columns.indexOf(column) == -1)
+                throw new errors.DbValidationError('PARAM_SHAPE_MISMATCH', "upsert() can only update columns it inserts, and " + column + " isn't one of them.", table);
+        });
+        var clause = { table: table, columns: names, conflictColumns: conflict.map(quote), updateColumns: update.map(quote) };
+        columns = columns.concat(conflict.filter((column) => columns.indexOf(column) == -1));
+        return { sql: sql, params: params, columns: columns, upsert: clause };
+    }
+    return { sql: sql, params: params, columns: columns };
+}
+
+/**
+ * What goes after an upsert's INSERT, from the driver it's going to.
+ */
+function upsertClause(driver, upsert) {
+    if (typeof driver.upsertClause != "function")
+        throw new errors.DbConfigError('BAD_DRIVER', "This database driver can't do upserts.");
+    try {
+        return driver.upsertClause(upsert.columns, upsert.conflictColumns, upsert.updateColumns);
+    } catch (e) {
+        // the driver can't make an upsert from these options, as SQLite can't without conflictColumns
+        throw new errors.DbValidationError('PARAM_SHAPE_MISMATCH', e.message, upsert.table);
+    }
+}
+
+/**
+ * update table set ... where ..., as { sql, params, columns }.
+ */
+function update(table, set, where) {
+    if (!isRow(set) || !Object.keys(set).length)
+        throw new errors.DbValidationError('PARAM_SHAPE_MISMATCH', "update() needs an object with at least one column to set.", table);
+    var args = [];
+    var sql = "update " + quote(table) + " set " + Object.keys(set).map((column) => quote(column) + " = " + bind(set[column], args)).join(", ");
+    sql += " where " + conditions("update()", table, where, args);
+    return { sql: sql, params: [args], columns: Object.keys(set).concat(Object.keys(where)) };
+}
+
+/**
+ * delete from table where ..., as { sql, params, columns }.
+ */
+function remove(table, where) {
+    var args = [];
+    var sql = "delete from " + quote(table) + " where " + conditions("delete()", table, where, args);
+    return { sql: sql, params: [args], columns: Object.keys(where) };
+}
+
+// column = ?, column is null (for null), or column in (?...) (for an array), joined with and
+function conditions(what, table, where, args) {
+    if (!isRow(where) || !Object.keys(where).length)
+        throw new errors.DbValidationError('WHERE_MISSING', what + " needs a where object with at least one column; to change every row, use execute().", table);
+    return Object.keys(where).map((column) => {
+        var value = where[column];
+        if (value === null || value === undefined) return quote(column) + " is null";
+        if (Array.isArray(value)) {
+            args.push(value);
+            return quote(column) + " in (?...)";
+        }
+        return quote(column) + " = " + bind(value, args);
+    }).join(" and ");
+}
+
+// a ? for the value (added to args), or the SQL of a fragment (with its values)
+function bind(value, args) {
+    if (value instanceof fragments.SqlFragment) {
+        Array.prototype.push.apply(args, value.values);
+        return value.text;
+    }
+    args.push(value === undefined ? null : value);
+    return "?";
+}
+
+function quote(name) {
+    return fragments.id(name).text;
+}
+
+function isRow(value) {
+    return !!value && typeof value == "object" && !Array.isArray(value) && !(value instanceof fragments.SqlFragment);
+}
+
+module.exports = {
+    insert: insert,
+    upsertClause: upsertClause,
+    update: update,
+    remove: remove
+};
@@ -0,0 +1,273 @@
+/**
+ * A scripted stand-in for a real database, for unit-testing stages without
+ * a server. Get one from db.fakeDriver(), tell it how to answer, and pass it
+ * as the driver in your config:
+ *
+ *     var fake = db.fakeDriver()
+ *         .respond(/count\(\*\)/, [{ n: 3 }])
+ *         .fail("insert into audit", new Error("boom"));
+ *     db.stage({ driver: fake }).queryInt("select count(*) from t")...
+ *
+ * Every call the library makes on a connection is recorded in fake.calls,
+ * in order, so you can check what was sent (and whether a rollback happened).
+ */
+const Readable = require('stream').Readable;
+const mysql2 = require('./mysql2');
+
+module.exports = {
+    create: () => {
+        return new FakeDriver();
+    }
+};
+
+// steps, other than execute, that can be told to fail with failOn()
+const STEPS = ['getConnection', 'ping', 'setAutocommit', 'beginTransaction', 'commit', 'rollback', 'savepoint', 'rollbackToSavepoint', 'releaseSavepoint'];
+
+function FakeDriver() {
+    var rules = [];
+    var stepFailures = {};
+    var idleConnections = [];
+    var connectionCount = 0;
+
+    this.name = 'fake';
+
+    // stage.explain() sends EXPLAIN just as it would to MySQL, so respond to that with rows like MySQL's
+    this.explainSql = mysql2.explainSql;
+    this.readPlan = mysql2.readPlan;
+    this.upsertClause = mysql2.upsertClause;
+    this.columnsSql = mysql2.columnsSql;
+
+    /**
+     * Everything the library did, as { step, conn, sql, args } objects, where
+     * step is one of execute, stream, ping, setAutocommit, beginTransaction, commit,
+     * rollback, release or destroy, and conn numbers the connection (from 1).
+     * (sql and args are only filled in for execute and stream; for setAutocommit, args
+     * holds the flag.)
+     */
+    this.calls = [];
+
+    /**
+     * Number of connections checked out and not yet released.
+     */
+    this.openConnections = 0;
+
+    /**
+     * Whether the latest pool has been ended (e.g., by db.curtains() or
+     * db.close()). A pool made after that starts out open again.
+     */
+    this.ended = false;
+
+    /**
+     * Answers any executed SQL that matches with the given result.
+     * A match can be a string (found anywhere in the SQL), a RegExp, or a
+     * function taking (sql, args). A result can be an array of row objects,
+     * an object like { affectedRows: 2 }, or a function taking (sql, args)
+     * and returning either. Pass once=true to have the rule apply only to
+     * the next match. Rules are checked in the order added; SQL that matches
+     * no rule gets an empty result set.
+     */
+    this.respond = (match, result, once) => {
+        rules.push({ match: match, result: result, once: !!once });
+        return this;
+    };
+
+    /**
+     * Makes executed SQL that matches (as in respond) fail with the given error.
+     */
+    this.fail = (match, err, once) => {
+        rules.push({ match: match, err: err, once: !!once });
+        return this;
+    };
+
+    /**
+     * Makes one of the non-SQL steps fail with the given error: getConnection,
+     * ping, setAutocommit, beginTransaction, commit, rollback, savepoint,
+     * rollbackToSavepoint or releaseSavepoint. Pass once=true to have it fail
+     * only the next time.
+     */
+    this.failOn = (step, err, once) => {
+        if (STEPS.indexOf(step) == -1) throw new Error("Can't fail on \"" + step + "\"; try one of: " + STEPS.join(", "));
+        stepFailures[step] = { err: err, once: !!once };
+        return this;
+    };
+
+    /**
+     * Just the SQL statements executed so far, as { sql, args } objects.
+     */
+    this.executed = () => {
+        return this.calls.filter((c) => c.step == 'execute').map((c) => {
+            return { sql: c.sql, args: c.args };
+        });
+    };
+
+    /**
+     * Forgets the recorded calls, but keeps the rules.
+     */
+    this.reset = () => {
+        this.calls.length = 0;
+        return this;
+    };
+
+    this.createPool = (cfg) => {
+        var driver = this;
+        var ended = false;
+        driver.ended = false;
+        return {
+            getConnection: (callback) => {
+                if (ended) return process.nextTick(callback, new Error("This fake database has been closed."), null);
+                var err = stepFailure('getConnection');
+                if (err) return process.nextTick(callback, err, null);
+                driver.openConnections++;
+                var conn = idleConnections.shift();
+                if (conn) conn.checkOut();
+                else conn = new FakeConnection(driver, ++connectionCount, answer, stepFailure, idleConnections);
+                process.nextTick(callback, null, conn);
+            },
+            end: (callback) => {
+                ended = driver.ended = true;
+                process.nextTick(callback, null);
+            },
+            stats: () => {
+                return { total: driver.openConnections + idleConnections.length, idle: idleConnections.length };
+            }
+        };
+    };
+
+    function stepFailure(step) {
+        var failure = stepFailures[step];
+        if (!failure) return null;
+        if (failure.once) delete stepFailures[step];
+        return failure.err;
+    }
+
+    function answer(sql, args) {
+        for (var i = 0; i < rules.length; i++) {
+            var rule = rules[i];
+            if (!matches(rule.match, sql, args)) continue;
+            if (rule.once) rules.splice(i, 1);
+            if (rule.err) throw rule.err;
+            return (typeof rule.result == "function") ? rule.result(sql, args) : rule.result;
+        }
+        return [];
+    }
+}
+
+function FakeConnection(driver, id, answer, stepFailure, idleConnections) {
+    var checkedOut = true;
+    var destroyed = false;
+    var releasedAt = 0;
+
+    this.execute = (sql, args, callback) => {
+        if (destroyed) return process.nextTick(callback, deadConnectionError(), null);
+        driver.calls.push({ step: 'execute', conn: id, sql: sql, args: args });
+        try {
+            process.nextTick(callback, null, answer(sql, args));
+        } catch (err) {
+            process.nextTick(callback, err, null);
+        }
+    };
+
+    // streams the rows that execute would have returned, one at a time
+    this.stream = (sql, args, options) => {
+        var rows;
+        try {
+            if (destroyed) throw deadConnectionError();
+            driver.calls.push({ step: 'stream', conn: id, sql: sql, args: args });
+            rows = answer(sql, args);
+            if (!Array.isArray(rows)) throw new Error("The fake driver can only stream an array of rows.");
+        } catch (err) {
+            return new Readable({
+                objectMode: true,
+                read: function () {
+                    this.destroy(err);
+                }
+            });
+        }
+        return Readable.from(rows, { highWaterMark: options.highWaterMark });
+    };
+
+    this.setAutocommit = (on, callback) => {
+        step('setAutocommit', on, callback);
+    };
+
+    this.beginTransaction = (callback) => {
+        step('beginTransaction', undefined, callback);
+    };
+
+    // recorded as a beginTransaction, with the options as its args
+    this.startTransaction = (options, callback) => {
+        step('beginTransaction', options, callback);
+    };
+
+    this.commit = (callback) => {
+        step('commit', undefined, callback);
+    };
+
+    this.rollback = (callback) => {
+        step('rollback', undefined, callback);
+    };
+
+    this.savepoint = (name, callback) => {
+        step('savepoint', name, callback);
+    };
+
+    this.rollbackToSavepoint = (name, callback) => {
+        step('rollbackToSavepoint', name, callback);
+    };
+
+    this.releaseSavepoint = (name, callback) => {
+        step('releaseSavepoint', name, callback);
+    };
+
+    this.ping = (callback) => {
+        step('ping', undefined, callback);
+    };
+
+    this.idleTime = () => {
+        return releasedAt ? Date.now() - releasedAt : 0;
+    };
+
+    // the fake pool calls this when it hands out an idle connection again
+    this.checkOut = () => {
+        checkedOut = true;
+    };
+
+    this.release = () => {
+        checkIn('release');
+        releasedAt = Date.now();
+        idleConnections.push(this);
+    };
+
+    this.destroy = () => {
+        checkIn('destroy');
+        destroyed = true;
+    };
+
+    function checkIn(name) {
+        if (!checkedOut) throw new Error("This fake connection isn't checked out.");
+        checkedOut = false;
+        driver.openConnections--;
+        driver.calls.push({ step: name, conn: id });
+    }
+
+    function step(name, args, callback) {
+        var entry = { step: name, conn: id };
+        if (args !== undefined) entry.args = args;
+        driver.calls.push(entry);
+        process.nextTick(callback, stepFailure(name));
+    }
+}
+
+function deadConnectionError() {
+    var err = new Error("This fake connection was destroyed.");
+    err.code = 'PROTOCOL_CONNECTION_LOST';
+    err.fatal = true;
+    return err;
+}
+
+function matches(match, sql, args) {
+    if (typeof match == "string") return sql.indexOf(match) != -1;
+    if (match instanceof RegExp) return match.test(sql);
+    if (typeof match == "function") return !!match(sql, args);
+    throw new Error("A fake driver rule needs a string, RegExp or function to match SQL against.");
+}
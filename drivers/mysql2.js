@@ -0,0 +1,150 @@
+const mysql2 = require('mysql2');
+
+// when each pooled connection was last handed back, so we can tell how long it has sat idle
+const releasedAt = new WeakMap();
+
+/**
+ * Driver for MySQL (or MariaDB) servers, by way of the mysql2 library.
+ * This is the driver you get if your config doesn't name one.
+ */
+module.exports = {
+    name: 'mysql2',
+
+    createPool: (cfg) => {
+        var pool = mysql2.createPool(cfg);
+        return {
+            getConnection: (callback) => {
+                pool.getConnection((err, conn) => {
+                    callback(err, conn ? new Mysql2Connection(conn) : null);
+                });
+            },
+            end: (callback) => {
+                pool.end(callback);
+            },
+            // mysql2 has no public way to ask, so this peeks at its queues
+            stats: () => {
+                return { total: pool._allConnections.length, idle: pool._freeConnections.length };
+            }
+        };
+    },
+
+    // for stage.explain()
+    explainSql: (sql, format) => {
+        return (format == 'json' ? "EXPLAIN FORMAT=JSON " : "EXPLAIN ") + sql;
+    },
+
+    // for stage.upsert(), with the names already quoted; with nothing to update, setting a column to itself makes a duplicate a no-op
+    upsertClause: (columns, conflictColumns, updateColumns) => {
+        if (!updateColumns.length) return "on duplicate key update " + columns[0] + " = " + columns[0];
+        return "on duplicate key update " + updateColumns.map((column) => column + " = values(" + column + ")").join(", ");
+    },
+
+    // for the checkColumns option of stage.insert() and friends: the table's columns, as rows with a name
+    columnsSql: (table, schema) => {
+        return { sql: "select column_name as name from information_schema.columns where table_schema = coalesce(?, database()) and table_name = ?", args: [schema, table] };
+    },
+
+    // a table read from end to end has an access type of ALL; FORMAT=JSON comes back as one row holding the JSON
+    readPlan: (rows, format) => {
+        if (format != 'json')
+            return { plan: rows, fullScans: rows.filter((row) => row.type == 'ALL').map((row) => row.table) };
+        if (!rows || !rows.length) throw new Error("EXPLAIN FORMAT=JSON didn't return a plan.");
+        var plan = JSON.parse(rows[0][Object.keys(rows[0])[0]]);
+        var fullScans = [];
+        findFullScans(plan);
+        return { plan: plan, fullScans: fullScans };
+
+        function findFullScans(node) {
+            if (!node || typeof node != "object") return;
+            if (node.access_type == 'ALL' && node.table_name) fullScans.push(node.table_name);
+            Object.keys(node).forEach((key) => findFullScans(node[key]));
+        }
+    }
+};
+
+function Mysql2Connection(conn) {
+    this.execute = (sql, args, callback) => {
+        conn.execute(sql, args, callback);
+    };
+
+    // mysql2 pauses the connection whenever the stream's buffer fills up
+    this.stream = (sql, args, options) => {
+        return conn.execute(sql, args).stream(options);
+    };
+
+    /**
+     * Pooled connections remember their autocommit setting from one stage to
+     * the next, so we set it explicitly every time one is checked out.
+     */
+    this.setAutocommit = (on, callback) => {
+        conn.execute("SET autocommit=" + (on ? 1 : 0), [], (err) => {
+            callback(err);
+        });
+    };
+
+    this.beginTransaction = (callback) => {
+        conn.beginTransaction(callback);
+    };
+
+    // SET TRANSACTION only applies to the next transaction, which START TRANSACTION then begins
+    this.startTransaction = (options, callback) => {
+        var characteristics = [];
+        if (options.consistentSnapshot) characteristics.push("WITH CONSISTENT SNAPSHOT");
+        if (options.readOnly) characteristics.push("READ ONLY");
+        var start = () => {
+            conn.query("START TRANSACTION" + (characteristics.length ? " " + characteristics.join(", ") : ""), (err) => {
+                callback(err);
+            });
+        };
+        if (!options.isolation) return start();
+        conn.query("SET TRANSACTION ISOLATION LEVEL " + options.isolation, (err) => {
+            if (err) return callback(err);
+            start();
+        });
+    };
+
+    // savepoint statements go through query, since not every server will prepare them
+    this.savepoint = (name, callback) => {
+        conn.query("SAVEPOINT " + name, (err) => {
+            callback(err);
+        });
+    };
+
+    this.rollbackToSavepoint = (name, callback) => {
+        conn.query("ROLLBACK TO SAVEPOINT " + name, (err) => {
+            callback(err);
+        });
+    };
+
+    this.releaseSavepoint = (name, callback) => {
+        conn.query("RELEASE SAVEPOINT " + name, (err) => {
+            callback(err);
+        });
+    };
+
+    this.commit = (callback) => {
+        conn.commit(callback);
+    };
+
+    this.rollback = (callback) => {
+        conn.rollback(callback);
+    };
+
+    this.ping = (callback) => {
+        conn.ping(callback);
+    };
+
+    this.idleTime = () => {
+        return releasedAt.has(conn) ? Date.now() - releasedAt.get(conn) : 0;
+    };
+
+    this.release = () => {
+        releasedAt.set(conn, Date.now());
+        conn.release();
+    };
+
+    this.destroy = () => {
+        releasedAt.delete(conn);
+        conn.destroy();
+    };
+}
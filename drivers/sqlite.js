@@ -0,0 +1,222 @@
+const Readable = require('stream').Readable;
+
+/**
+ * Driver for SQLite databases, by way of the better-sqlite3 library.
+ * That library isn't a dependency of this one, so install it yourself
+ * (npm install better-sqlite3) if you want to use this driver.
+ *
+ * Config looks like { driver: 'sqlite', filename: 'my.db' }, where filename
+ * can also be ':memory:'. You can also pass readonly, fileMustExist and
+ * timeout, which go straight through to better-sqlite3.
+ *
+ * A SQLite database only has one connection to hand out. (An in-memory
+ * database only exists on the connection that created it, and a file
+ * database only lets one writer in at a time anyway.) So stages against
+ * the same database simply wait their turn.
+ */
+module.exports = {
+    name: 'sqlite',
+
+    // '\' is a whole string to SQLite, where MySQL would read on past the quote
+    backslashEscapes: false,
+
+    // and --x is a comment to SQLite, while # isn't one at all
+    mysqlComments: false,
+
+    // SQLite's SQLITE_MAX_VARIABLE_NUMBER, which is what better-sqlite3 builds with
+    maxPlaceholders: 32766,
+
+    createPool: (cfg) => {
+        if (!cfg.filename) throw new Error("The sqlite driver needs a filename (which can be \":memory:\").");
+
+        var Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (err) {
+            throw new Error("The sqlite driver needs the better-sqlite3 package; try npm install better-sqlite3");
+        }
+
+        var options = { readonly: !!cfg.readonly, fileMustExist: !!cfg.fileMustExist };
+        if (cfg.timeout) options.timeout = cfg.timeout;
+        var db = new Database(cfg.filename, options);
+        var conn = new SqliteConnection(db, releaseConnection);
+        var checkedOut = false;
+        var waiting = [];
+
+        return {
+            getConnection: (callback) => {
+                if (!db.open) return process.nextTick(callback, new Error("This SQLite database has been closed."), null);
+                if (checkedOut) return waiting.push(callback);
+                checkedOut = true;
+                process.nextTick(callback, null, conn);
+            },
+            end: (callback) => {
+                try {
+                    db.close();
+                    waiting.splice(0).forEach((cb) => {
+                        process.nextTick(cb, new Error("This SQLite database has been closed."), null);
+                    });
+                    process.nextTick(callback, null);
+                } catch (err) {
+                    process.nextTick(callback, err);
+                }
+            },
+            stats: () => {
+                return { total: db.open ? 1 : 0, idle: db.open && !checkedOut ? 1 : 0 };
+            }
+        };
+
+        function releaseConnection() {
+            if (waiting.length) process.nextTick(waiting.shift(), null, conn);
+            else checkedOut = false;
+        }
+    },
+
+    // for stage.explain()
+    explainSql: (sql, format) => {
+        if (format == 'json') throw new Error("SQLite has no JSON format for EXPLAIN.");
+        return "EXPLAIN QUERY PLAN " + sql;
+    },
+
+    // for stage.upsert(); SQLite needs to be told which unique columns the conflict would be on
+    upsertClause: (columns, conflictColumns, updateColumns) => {
+        if (!conflictColumns.length) throw new Error("SQLite needs upsert()'s conflictColumns.");
+        var action = updateColumns.length ? "do update set " + updateColumns.map((column) => column + " = excluded." + column).join(", ") : "do nothing";
+        return "on conflict (" + conflictColumns.join(", ") + ") " + action;
+    },
+
+    // for the checkColumns option of stage.insert() and friends
+    columnsSql: (table, schema) => {
+        return { sql: "select name from pragma_table_info(?, ?)", args: [table, schema || 'main'] };
+    },
+
+    // a plain SCAN reads the whole table; a SEARCH, or a SCAN of an index, doesn't
+    readPlan: (rows) => {
+        var fullScans = rows.map((row) => /^SCAN (?:TABLE )?(\S+)(.*)$/.exec(row.detail || ''))
+            .filter((m) => m && !/\bINDEX\b/.test(m[2]))
+            .map((m) => m[1]);
+        return { plan: rows, fullScans: fullScans };
+    }
+};
+
+function SqliteConnection(db, onRelease) {
+    var readOnly = false; // i.e., query_only is on for the current transaction
+
+    /**
+     * Statements that return rows come back as an array of row objects, and
+     * everything else comes back looking like a mysql2 result header, so
+     * that the rest of the library can't tell the difference.
+     */
+    this.execute = (sql, args, callback) => {
+        try {
+            var stmt = db.prepare(sql);
+            var bound = (args || []).map(toSqliteValue);
+            if (stmt.reader)
+                return process.nextTick(callback, null, stmt.all(bound));
+            var info = stmt.run(bound);
+            process.nextTick(callback, null, {
+                affectedRows: info.changes,
+                changedRows: info.changes, // SQLite doesn't tell rows it changed from rows it matched
+                insertId: info.lastInsertRowid
+            });
+        } catch (err) {
+            process.nextTick(callback, err, null);
+        }
+    };
+
+    this.stream = (sql, args, options) => {
+        try {
+            var stmt = db.prepare(sql);
+            if (!stmt.reader) throw new Error("Only statements that return rows can be streamed.");
+            return Readable.from(stmt.iterate((args || []).map(toSqliteValue)), { highWaterMark: options.highWaterMark });
+        } catch (err) {
+            return new Readable({
+                objectMode: true,
+                read: function () {
+                    this.destroy(err);
+                }
+            });
+        }
+    };
+
+    // SQLite is in autocommit mode whenever a transaction isn't open
+    this.setAutocommit = (on, callback) => {
+        process.nextTick(callback, null);
+    };
+
+    this.beginTransaction = (callback) => {
+        run("BEGIN", callback);
+    };
+
+    /**
+     * SQLite transactions are always serializable, which is as isolated as
+     * any level you could ask for, and nobody else can write in between
+     * anyway. A read-only transaction turns on query_only until it ends.
+     */
+    this.startTransaction = (options, callback) => {
+        if (options.readOnly) {
+            try {
+                db.pragma("query_only = ON");
+                readOnly = true;
+            } catch (err) {
+                return process.nextTick(callback, err);
+            }
+        }
+        run("BEGIN", callback);
+    };
+
+    this.commit = (callback) => {
+        run("COMMIT", callback);
+    };
+
+    this.rollback = (callback) => {
+        if (!db.inTransaction) return process.nextTick(callback, endReadOnly());
+        run("ROLLBACK", callback);
+    };
+
+    this.savepoint = (name, callback) => {
+        run("SAVEPOINT " + name, callback);
+    };
+
+    this.rollbackToSavepoint = (name, callback) => {
+        run("ROLLBACK TO SAVEPOINT " + name, callback);
+    };
+
+    this.releaseSavepoint = (name, callback) => {
+        run("RELEASE SAVEPOINT " + name, callback);
+    };
+
+    this.release = () => {
+        if (db.open && db.inTransaction) db.exec("ROLLBACK");
+        endReadOnly();
+        onRelease();
+    };
+
+    function endReadOnly() {
+        if (!readOnly || !db.open) return null;
+        try {
+            db.pragma("query_only = OFF");
+            readOnly = false;
+            return null;
+        } catch (err) {
+            return err;
+        }
+    }
+
+    function run(sql, callback) {
+        try {
+            db.exec(sql);
+            if (/^(COMMIT|ROLLBACK)$/.test(sql)) return process.nextTick(callback, endReadOnly());
+            process.nextTick(callback, null);
+        } catch (err) {
+            process.nextTick(callback, err);
+        }
+    }
+}
+
+function toSqliteValue(vl) {
+    if (vl === undefined) return null;
+    if (vl === true || vl === false) return vl ? 1 : 0;
+    if (vl instanceof Date) return vl.toISOString();
+    return vl;
+}
@@ -0,0 +1,102 @@
+/**
+ * Errors that this library hands back. They all extend DbError, and they all
+ * have a code, so you can branch on err.code rather than on the message.
+ */
+
+/**
+ * Base class for this library's errors.
+ */
+class DbError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+    }
+}
+
+/**
+ * Something went wrong while a finale was acting out a stage. The original
+ * error (from mysql2, say) is in cause, and its code, errno, sqlState and
+ * fatal properties are copied across, so err.code is still 'ER_DUP_ENTRY'
+ * or whatever the database said. If the failure happened in one of the
+ * staged statements, you also get:
+ *   opIndex: which statement failed (so $opIndex would have been its result)
+ *   opcode: 'e' for execute, 'q' for query, 'qi', 'qf' or 'qs' for queryInt, etc.
+ *     ('qd', 'qb' and 'qn' for queryDate, queryBool and queryBigInt; 'qr', 'qc',
+ *     'qm' and 'qx' for queryRow, queryColumn, queryMap and queryExists; 'js' for
+ *     a then() or when() step)
+ *   step: if the statement was added by a then() or when() step, that step's
+ *     opIndex (opIndex is then the statement's position among those it added)
+ *   rawSql: the SQL as you staged it
+ *   sql: the SQL as sent, with every placeholder turned into ?
+ *   args: the values bound to those ?s
+ *   paramRow: if you passed an array of param rows, the index of the one that failed
+ * And in any case:
+ *   results: the results of the statements that ran before the failure
+ *   rolledBack: true if a transaction was rolled back, false if there was
+ *     nothing to roll back (autocommit) or the rollback itself failed
+ *   rollbackError: why the rollback failed, if it did
+ */
+class DbStageError extends DbError {
+    constructor(cause, details) {
+        details = details || {};
+        var message = cause && cause.message ? cause.message : String(cause);
+        if (details.opIndex !== undefined)
+            message = "Statement " + details.opIndex + " failed: " + message;
+        super(cause && cause.code ? cause.code : 'STAGE_FAILED', message);
+
+        this.cause = cause;
+        if (cause) {
+            if (cause.errno !== undefined) this.errno = cause.errno;
+            if (cause.sqlState !== undefined) this.sqlState = cause.sqlState;
+            if (cause.fatal !== undefined) this.fatal = cause.fatal;
+        }
+        this.opIndex = details.opIndex;
+        this.opcode = details.opcode;
+        this.rawSql = details.rawSql;
+        this.sql = details.sql;
+        this.args = details.args;
+        this.paramRow = details.paramRow;
+        this.results = [];
+        this.rolledBack = false;
+    }
+}
+
+/**
+ * The SQL or params passed to execute(), query() and friends don't make sense.
+ * Codes: SQL_MISSING, SQL_NOT_STRING, MIXED_PLACEHOLDERS, PARAM_SHAPE_MISMATCH,
+ *   NOTHING_TO_LABEL, BAD_LABEL, DUPLICATE_LABEL, BAD_REFERENCE, UNKNOWN_REFERENCE,
+ *   BULK_UNSUPPORTED, BAD_IDENTIFIER, NOT_OPTIONAL, NOT_A_LIST, EMPTY_LIST, MISSING_PARAM,
+ *   UNUSED_PARAM, PARAM_COUNT_MISMATCH, WHERE_MISSING, UNKNOWN_COLUMN
+ */
+class DbValidationError extends DbError {
+    constructor(code, message, sql) {
+        super(code, message);
+        this.rawSql = sql;
+    }
+}
+
+/**
+ * The database config, or an option passed alongside it, doesn't make sense.
+ * Codes: CONFIG_MISSING, UNKNOWN_DRIVER, BAD_DRIVER, BAD_OPTION, BAD_URL, UNKNOWN_CONFIG,
+ * BAD_MIGRATION
+ */
+class DbConfigError extends DbError {
+}
+
+/**
+ * The library, or the stage, is in no state to do what was asked.
+ * Codes: FINALE_ALREADY_RUN, DATABASES_CLOSING, POOL_CLOSING, STILL_CLOSING, CALLBACK_MISSING,
+ * STREAM_ABANDONED, MIGRATION_LOCKED, MIGRATION_CHANGED, MIGRATION_MISSING, BAD_STEP,
+ * NOT_AWAITABLE
+ */
+class DbStateError extends DbError {
+}
+
+module.exports = {
+    DbError: DbError,
+    DbStageError: DbStageError,
+    DbValidationError: DbValidationError,
+    DbConfigError: DbConfigError,
+    DbStateError: DbStateError
+};
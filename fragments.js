@@ -0,0 +1,66 @@
+/**
+ * SQL written as tagged templates, so that values end up as bound params
+ * rather than pasted into the SQL:
+ *
+ *     var where = db.sql`where name = ${nm}`;
+ *     db.stage(cfg).query`select * from ${db.id(tbl)} ${where} and id > ${id}`
+ *
+ * Each ${value} becomes a ? placeholder, unless the value is itself a
+ * fragment (from db.sql, db.id or db.raw), in which case its SQL is spliced
+ * in along with its params.
+ */
+const errors = require('./errors');
+
+/**
+ * A piece of SQL, with ? placeholders, and the values to bind to them.
+ */
+function SqlFragment(text, values) {
+    this.text = text;
+    this.values = values;
+}
+
+function sql(strings) {
+    if (!isTemplate(strings))
+        throw new errors.DbValidationError('SQL_NOT_STRING', "db.sql is meant to be used as a tag, as in db.sql`select ...`.", strings);
+    var text = strings[0];
+    var values = [];
+    for (var i = 1; i < strings.length; i++) {
+        var value = arguments[i];
+        if (value instanceof SqlFragment) {
+            text += value.text;
+            Array.prototype.push.apply(values, value.values);
+        } else {
+            text += "?";
+            values.push(value);
+        }
+        text += strings[i];
+    }
+    return new SqlFragment(text, values);
+}
+
+// SQL you trust, pasted in as is
+function raw(text) {
+    if (typeof text != "string")
+        throw new errors.DbValidationError('SQL_NOT_STRING', "db.raw needs a string of SQL.", text);
+    return new SqlFragment(text, []);
+}
+
+// a table or column name, quoted with backticks (which MySQL and SQLite both understand); dots separate schema.table.column
+function id(name) {
+    if (typeof name != "string" || !name || name.split('.').indexOf('') != -1)
+        throw new errors.DbValidationError('BAD_IDENTIFIER', "\"" + name + "\" won't work as a table or column name.", name);
+    return new SqlFragment(name.split('.').map((part) => "`" + part.replace(/`/g, "``") + "`").join('.'), []);
+}
+
+// true for the first argument that a tag function gets
+function isTemplate(strings) {
+    return Array.isArray(strings) && Array.isArray(strings.raw);
+}
+
+module.exports = {
+    SqlFragment: SqlFragment,
+    sql: sql,
+    raw: raw,
+    id: id,
+    isTemplate: isTemplate
+};
@@ -0,0 +1,312 @@
+/**
+ * Schema migrations, run through ordinary stages. Put them in a directory
+ * (./migrations, unless you say otherwise), named like
+ *
+ *     001_create_users.up.sql
+ *     001_create_users.down.sql
+ *     002_backfill_emails.js      (exports up(stage) and, if it can be undone, down(stage))
+ *
+ * The number at the front is the version. Each migration gets a stage of its
+ * own, which also records (or, going down, forgets) it in the
+ * schema_migrations table, so a migration and its record are committed or
+ * rolled back together. A JS migration just adds what it needs to the stage
+ * it's given; don't call finale() yourself. (SQL files are split at each ;
+ * outside strings and comments, so stored procedures, which need DELIMITER,
+ * have to be JS migrations.)
+ *
+ *     var migrator = require('mysql2-db/migrations').migrator(cfg);
+ *     migrator.up((err, versions) => { ... });
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const db = require('./db');
+const errors = require('./errors');
+const sqltext = require('./sqltext');
+
+// 001_create_users.up.sql and the like: version, name, and what kind of file it is
+const FILE_NAME = /^([0-9]+)_([A-Za-z0-9_-]+)\.(up\.sql|down\.sql|js)$/;
+
+// statements that make MySQL commit whatever transaction is open, so a failed migration can't take them back
+const IMPLICIT_COMMIT = /^\s*(create|alter|drop|rename|truncate|grant|revoke|lock\s+tables?|unlock\s+tables?|analyze|optimize|repair)\b(?!\s+temporary\b)/i;
+
+/**
+ * options:
+ *   directory: where the migration files are (default ./migrations)
+ *   table: where applied migrations are recorded (default schema_migrations);
+ *          the lock lives in a second table with _lock on the end
+ *   lockTimeout: milliseconds after which a lock that nothing has touched
+ *          counts as left behind by a migration that died, and is taken
+ *          away (default an hour); each migration applied touches it
+ *   logger: where implicit commit warnings go (default the config's logger,
+ *           or the console)
+ */
+function Migrator(cfg, options) {
+    options = options || {};
+    var directory = path.resolve(options.directory || 'migrations');
+    var table = db.id(options.table || 'schema_migrations');
+    var lockTable = db.id((options.table || 'schema_migrations') + '_lock');
+    var logger = (options.logger !== undefined) ? options.logger : ((typeof cfg == "object" && cfg && cfg.logger !== undefined) ? cfg.logger : console);
+    var lockTimeout = options.lockTimeout > 0 ? options.lockTimeout : 60 * 60 * 1000;
+    var owner = os.hostname() + " (pid " + process.pid + ", " + crypto.randomBytes(3).toString('hex') + ")";
+
+    /**
+     * The migrations in the directory, in order of version, as
+     * { version, id, up, down, checksum }, where up and down are the files
+     * (or, for JS migrations, the functions) to run.
+     */
+    this.load = () => {
+        var found = {};
+        var names;
+        try {
+            names = fs.readdirSync(directory);
+        } catch (err) {
+            throw new errors.DbConfigError('BAD_MIGRATION', "Couldn't read the migrations directory " + directory + ": " + err.message);
+        }
+        names.forEach((file) => {
+            var m = FILE_NAME.exec(file);
+            if (!m) return;
+            var version = parseInt(m[1], 10);
+            var id = m[1] + "_" + m[2];
+            var migration = found[version] = found[version] || { version: version, id: id, up: null, down: null, checksum: null };
+            if (migration.id != id)
+                throw new errors.DbConfigError('BAD_MIGRATION', "Migrations " + migration.id + " and " + id + " both have version " + version + ".");
+            var full = path.join(directory, file);
+            if (m[3] == 'down.sql') return migration.down = full;
+            if (migration.up)
+                throw new errors.DbConfigError('BAD_MIGRATION', "Migration " + id + " has both a .up.sql file and a .js file; pick one.");
+            migration.up = full;
+            migration.checksum = crypto.createHash('sha256').update(fs.readFileSync(full)).digest('hex');
+            if (m[3] == 'js') {
+                var exported = require(full);
+                if (typeof exported.up != "function")
+                    throw new errors.DbConfigError('BAD_MIGRATION', "Migration " + file + " needs to export an up(stage) function.");
+                migration.up = exported.up;
+                migration.down = (typeof exported.down == "function") ? exported.down : null;
+            }
+        });
+        return Object.keys(found).map((v) => found[v]).sort((a, b) => a.version - b.version).map((migration) => {
+            if (!migration.up) throw new errors.DbConfigError('BAD_MIGRATION', "Migration " + migration.id + " has a down file but nothing to bring it up.");
+            return migration;
+        });
+    };
+
+    /**
+     * Calls back with every migration, applied or not, in order of version, as
+     * { version, id, applied, appliedAt, changed, missing }. changed means the
+     * file is different from when it was applied; missing means it was
+     * applied, but its file is gone.
+     */
+    this.status = (callback) => {
+        if (!callback) throw new errors.DbStateError('CALLBACK_MISSING', "status() needs a callback.");
+        readApplied((err, applied) => {
+            if (err) return callback(err);
+            try {
+                var migrations = this.load();
+            } catch (e) {
+                return callback(e);
+            }
+            var rv = migrations.map((migration) => {
+                var record = applied[migration.version];
+                return {
+                    version: migration.version,
+                    id: migration.id,
+                    applied: !!record,
+                    appliedAt: record ? record.applied_at : null,
+                    changed: !!record && record.checksum != migration.checksum,
+                    missing: false
+                };
+            });
+            Object.keys(applied).forEach((v) => {
+                if (!migrations.some((migration) => migration.version == v))
+                    rv.push({ version: Number(v), id: applied[v].version_id, applied: true, appliedAt: applied[v].applied_at, changed: false, missing: true });
+            });
+            callback(null, rv.sort((a, b) => a.version - b.version));
+        });
+    };
+
+    /**
+     * Applies every migration that hasn't been applied yet (or, if you give a
+     * version, the ones up to and including it), and calls back with the
+     * versions it applied. Stops at the first one that fails.
+     */
+    this.up = (version, callback) => {
+        if (typeof version == "function") {
+            callback = version;
+            version = null;
+        }
+        if (!callback) throw new errors.DbStateError('CALLBACK_MISSING', "up() needs a callback.");
+        withLock((done) => {
+            readApplied((err, applied) => {
+                if (err) return done(err);
+                try {
+                    var migrations = this.load();
+                    migrations.forEach((migration) => {
+                        var record = applied[migration.version];
+                        if (record && record.checksum != migration.checksum)
+                            throw new errors.DbStateError('MIGRATION_CHANGED', "Migration " + migration.id + " has changed since it was applied. Write a new migration instead.");
+                    });
+                } catch (e) {
+                    return done(e);
+                }
+                var pending = migrations.filter((migration) => !applied[migration.version] && (version === null || version === undefined || migration.version <= version));
+                runEach(pending, 'up', done);
+            });
+        }, callback);
+    };
+
+    /**
+     * Rolls back the latest migration (or, if you give a version, every one
+     * after it, so down(0) rolls back everything), and calls back with the
+     * versions it rolled back.
+     */
+    this.down = (version, callback) => {
+        if (typeof version == "function") {
+            callback = version;
+            version = null;
+        }
+        if (!callback) throw new errors.DbStateError('CALLBACK_MISSING', "down() needs a callback.");
+        withLock((done) => {
+            readApplied((err, applied) => {
+                if (err) return done(err);
+                var versions = Object.keys(applied).map(Number).sort((a, b) => b - a);
+                versions = (version === null || version === undefined) ? versions.slice(0, 1) : versions.filter((v) => v > version);
+                try {
+                    var migrations = this.load();
+                    var targets = versions.map((v) => {
+                        var migration = migrations.filter((m) => m.version == v)[0];
+                        if (!migration)
+                            throw new errors.DbStateError('MIGRATION_MISSING', "Migration " + applied[v].version_id + " was applied, but its file is gone, so it can't be rolled back.");
+                        if (!migration.down)
+                            throw new errors.DbConfigError('BAD_MIGRATION', "Migration " + migration.id + " has no down migration, so it can't be rolled back.");
+                        return migration;
+                    });
+                } catch (e) {
+                    return done(e);
+                }
+                runEach(targets, 'down', done);
+            });
+        }, callback);
+    };
+
+    /**
+     * Takes away the lock, for when a migration died without letting go of it.
+     */
+    this.unlock = (callback) => {
+        if (!callback) throw new errors.DbStateError('CALLBACK_MISSING', "unlock() needs a callback.");
+        ensureTables((err) => {
+            if (err) return callback(err);
+            db.stage(cfg).execute(db.sql`delete from ${lockTable}`).finale(callback, { autocommit: true });
+        });
+    };
+
+    function ensureTables(callback) {
+        db.stage(cfg)
+            .execute(db.sql`create table if not exists ${table} (version bigint not null primary key, version_id varchar(255) not null, checksum char(64) not null, applied_at datetime not null)`)
+            .execute(db.sql`create table if not exists ${lockTable} (id int not null primary key, locked_by varchar(255) not null, locked_at datetime not null)`)
+            .finale((err) => callback(err), { autocommit: true });
+    }
+
+    // calls back with the applied migrations, keyed by version
+    function readApplied(callback) {
+        ensureTables((err) => {
+            if (err) return callback(err);
+            db.stage(cfg).query(db.sql`select version, version_id, checksum, applied_at from ${table} order by version`).finale((err, rows) => {
+                if (err) return callback(err);
+                var applied = {};
+                rows.forEach((row) => {
+                    applied[Number(row.version)] = row;
+                });
+                callback(null, applied);
+            });
+        });
+    }
+
+    // the lock is a row rather than MySQL's GET_LOCK(), since that belongs to a connection, and stages don't keep theirs;
+    // so that a migration that dies can't hold it forever, a lock older than lockTimeout is taken away first
+    function withLock(work, callback) {
+        ensureTables((err) => {
+            if (err) return callback(err);
+            db.stage(cfg).execute(db.sql`delete from ${lockTable} where id = 1 and locked_at < ${now(-lockTimeout)}`).finale((err, stale) => {
+                if (err) return callback(err);
+                if (stale && logger && typeof logger.warn == "function")
+                    logger.warn("Warning: took away a migration lock that had been held for more than " + Math.round(lockTimeout / 1000) + " seconds, as whatever held it seems to have died.");
+                db.stage(cfg).execute(db.sql`insert into ${lockTable} (id, locked_by, locked_at) values (1, ${owner}, ${now()})`).finale((err) => {
+                    if (err) return whyLocked(err, callback);
+                    work((err, rv) => {
+                        db.stage(cfg).execute(db.sql`delete from ${lockTable} where id = 1 and locked_by = ${owner}`).finale((unlockErr) => {
+                            callback(err || unlockErr || null, rv);
+                        }, { autocommit: true });
+                    });
+                }, { autocommit: true });
+            }, { autocommit: true });
+        });
+    }
+
+    // the insert failed, most likely because somebody else has the lock
+    function whyLocked(insertErr, callback) {
+        db.stage(cfg).queryRow(db.sql`select locked_by, locked_at from ${lockTable} where id = 1`).finale((err, holder) => {
+            if (err || !holder) return callback(insertErr);
+            callback(new errors.DbStateError('MIGRATION_LOCKED', "Another migration, from " + holder.locked_by + ", has held the lock since " + holder.locked_at + ". If it isn't running any more, run mysql2-db migrate unlock, or wait for the lock to time out."));
+        });
+    }
+
+    function runEach(migrations, direction, callback) {
+        var done = [];
+        runNext();
+
+        function runNext() {
+            var migration = migrations[done.length];
+            if (!migration) return callback(null, done);
+
+            var stage = db.stage(cfg);
+            try {
+                var step = migration[direction];
+                if (typeof step == "function") step(stage);
+                else readStatements(step).forEach((statement) => {
+                    stage.execute(statement);
+                });
+                stage.execute(db.sql`update ${lockTable} set locked_at = ${now()} where id = 1 and locked_by = ${owner}`); // so a long run doesn't time out
+                if (direction == 'up')
+                    stage.execute(db.sql`insert into ${table} (version, version_id, checksum, applied_at) values (${migration.version}, ${migration.id}, ${migration.checksum}, ${now()})`);
+                else
+                    stage.execute(db.sql`delete from ${table} where version = ${migration.version}`);
+            } catch (err) {
+                err.migration = migration.id;
+                return callback(err, done);
+            }
+            stage.finale((err) => {
+                if (err) {
+                    err.migration = migration.id;
+                    return callback(err, done);
+                }
+                done.push(migration.version);
+                runNext();
+            });
+        }
+    }
+
+    function readStatements(file) {
+        var statements = sqltext.splitStatements(fs.readFileSync(file, 'utf8'), isSqlite(cfg) ? { backslashEscapes: false, mysqlComments: false } : {});
+        var committing = statements.filter((statement) => IMPLICIT_COMMIT.test(statement));
+        if (committing.length && !isSqlite(cfg) && logger && typeof logger.warn == "function")
+            logger.warn("Warning: " + path.basename(file) + " has " + committing.length + " statement(s) that MySQL commits straight away (such as \"" + committing[0].split("\n")[0] + "\"), so if the migration fails part way, those won't be rolled back.");
+        return statements;
+    }
+}
+
+function isSqlite(cfg) {
+    if (typeof cfg == "string") return /^sqlite3?:/i.test(cfg);
+    var driver = (typeof cfg == "object" && cfg) ? cfg.driver : null;
+    return driver == 'sqlite' || (typeof driver == "object" && driver && driver.name == 'sqlite');
+}
+
+// a time (offset by that many milliseconds, if given) that MySQL's datetime and SQLite are both happy with
+function now(offset) {
+    return new Date(Date.now() + (offset || 0)).toISOString().replace('T', ' ').substring(0, 19);
+}
+
+module.exports = {
+    migrator: (cfg, options) => new Migrator(cfg, options)
+};
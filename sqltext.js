@@ -0,0 +1,130 @@
+/**
+ * Reading SQL text without being fooled by what's inside its strings, quoted
+ * names and comments: a ? in 'what?', the :30 in '10:30', or a $5 in a
+ * comment aren't placeholders, and a ; in a string doesn't end a statement.
+ *
+ * Strings are '...' or "...", with backslash escapes or doubled quotes;
+ * quoted names are `...`, with doubled backticks; comments are -- (followed
+ * by a space, as MySQL has it), # and /* ... *\/. Each function takes
+ * optional { backslashEscapes, mysqlComments } for databases such as SQLite:
+ * backslashEscapes: false makes a backslash in a string just a backslash, and
+ * mysqlComments: false makes -- a comment with or without the space, and #
+ * not a comment at all.
+ */
+
+// placeholders, as the library understands them (any of which can end in ... to take a list), plus :: (a cast, not a placeholder) so that it can be skipped
+const PLACEHOLDERS = /(?:(::+[a-zA-Z0-9_]*)|(:[a-zA-Z0-9_]+)|(\?)|(\$[a-zA-Z0-9_]+(\.[a-zA-Z0-9_]+)?))(\.\.\.)?/g;
+
+/**
+ * Splits SQL into { kind, text } pieces, where kind is 'code', 'string',
+ * 'name' or 'comment'. Joining the texts gives back the SQL.
+ */
+function tokenize(sql, options) {
+    var backslashes = !options || options.backslashEscapes !== false;
+    var mysqlComments = !options || options.mysqlComments !== false;
+    var pieces = [];
+    var code = "";
+    var i = 0;
+    while (i < sql.length) {
+        var kind = null;
+        var end = i;
+        var ch = sql.charAt(i), next = sql.charAt(i + 1);
+        if (ch == "'" || ch == '"') {
+            kind = 'string';
+            end = closingQuote(sql, i, backslashes);
+        } else if (ch == "`") {
+            kind = 'name';
+            end = closingQuote(sql, i, false);
+        } else if ((ch == "#" && mysqlComments) || (ch == "-" && next == "-" && (!mysqlComments || i + 2 == sql.length || /\s/.test(sql.charAt(i + 2))))) {
+            kind = 'comment';
+            end = sql.indexOf("\n", i);
+            if (end == -1) end = sql.length;
+        } else if (ch == "/" && next == "*") {
+            kind = 'comment';
+            end = sql.indexOf("*/", i + 2);
+            end = (end == -1) ? sql.length : end + 2;
+        }
+        if (!kind) {
+            code += ch;
+            i++;
+            continue;
+        }
+        if (code) pieces.push({ kind: 'code', text: code });
+        code = "";
+        pieces.push({ kind: kind, text: sql.substring(i, end) });
+        i = end;
+    }
+    if (code) pieces.push({ kind: 'code', text: code });
+    return pieces;
+}
+
+// the index just past the quote that closes the one at start (or the end of the SQL, if none does)
+function closingQuote(sql, start, backslashes) {
+    var quote = sql.charAt(start);
+    var i = start + 1;
+    while (i < sql.length) {
+        var ch = sql.charAt(i);
+        if (backslashes && ch == "\\") i += 2;
+        else if (ch == quote && sql.charAt(i + 1) == quote) i += 2;
+        else if (ch == quote) return i + 1;
+        else i++;
+    }
+    return sql.length;
+}
+
+/**
+ * The SQL with the insides of strings, quoted names and comments blanked out
+ * (newlines aside), so that it can be searched for SQL syntax, and anything
+ * found is at the same position as in the SQL itself.
+ */
+function codeOnly(sql, options) {
+    return tokenize(sql, options).map((piece) => {
+        if (piece.kind == 'code') return piece.text;
+        var blank = piece.text.replace(/[^\n]/g, " ");
+        if (piece.kind == 'comment') return blank;
+        return piece.text.charAt(0) + blank.substring(1, blank.length - 1) + (piece.text.length > 1 ? piece.text.charAt(piece.text.length - 1) : "");
+    }).join("");
+}
+
+/**
+ * The placeholders (?, :name, $n, $label and $n.column, each maybe with ...
+ * on the end) in the SQL, as { index, text }, leaving out anything in a
+ * string, quoted name or comment, :: casts, and $s that are part of a name
+ * (as in my$table).
+ */
+function placeholders(sql, options) {
+    var code = codeOnly(sql, options);
+    var rv = [];
+    var re = new RegExp(PLACEHOLDERS.source, 'g');
+    var m;
+    while ((m = re.exec(code)) !== null) {
+        if (m[1]) continue;
+        if (m[4] && /[a-zA-Z0-9_$]/.test(code.charAt(m.index - 1))) continue;
+        rv.push({ index: m.index, text: m[0] });
+    }
+    return rv;
+}
+
+/**
+ * Splits a script into statements at each ; outside strings, quoted names
+ * and comments, leaving out the comments and any empty statements.
+ */
+function splitStatements(sql, options) {
+    var text = tokenize(sql, options).map((piece) => (piece.kind == 'comment') ? piece.text.replace(/[^\n]/g, " ") : piece.text).join("");
+    var code = codeOnly(sql, options);
+    var statements = [];
+    var start = 0;
+    for (var i = 0; i <= code.length; i++) {
+        if (i < code.length && code.charAt(i) != ";") continue;
+        statements.push(text.substring(start, i).trim());
+        start = i + 1;
+    }
+    return statements.filter((statement) => statement);
+}
+
+module.exports = {
+    tokenize: tokenize,
+    codeOnly: codeOnly,
+    placeholders: placeholders,
+    splitStatements: splitStatements
+};
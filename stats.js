@@ -0,0 +1,160 @@
+/**
+ * Running numbers for each pool, for db.stats() and db.prometheus(). The
+ * stages that use a pool record what happened to them here, and the pool
+ * itself (if its driver can say) adds how many connections it has open.
+ */
+
+// how many of the latest timings to keep for working out percentiles
+const SAMPLE_SIZE = 1000;
+
+const QUANTILES = [0.5, 0.9, 0.99];
+
+function PoolStats(key, name) {
+    var acquireTime = new Samples();
+    var stageDuration = new Samples();
+
+    this.key = key;
+    this.name = name;
+    this.stages = 0;
+    this.commits = 0;
+    this.rollbacks = 0;
+    this.errors = 0;
+    this.inUse = 0;
+    this.waiting = 0;
+
+    this.recordAcquire = (ms) => {
+        acquireTime.add(ms);
+    };
+
+    this.recordStage = (ms, err) => {
+        this.stages++;
+        if (err) this.errors++;
+        stageDuration.add(ms);
+    };
+
+    /**
+     * A plain copy of the numbers, with connection counts from the driver's
+     * pool.stats() (which gives { total, idle }), if it has one.
+     */
+    this.snapshot = (pool) => {
+        var fromDriver = (pool && typeof pool.stats == "function") ? pool.stats() : {};
+        return {
+            key: this.key,
+            name: this.name,
+            connections: {
+                total: fromDriver.total >= 0 ? fromDriver.total : null,
+                idle: fromDriver.idle >= 0 ? fromDriver.idle : null,
+                inUse: this.inUse,
+                waiting: this.waiting
+            },
+            stages: this.stages,
+            commits: this.commits,
+            rollbacks: this.rollbacks,
+            errors: this.errors,
+            acquireTime: acquireTime.summary(),
+            stageDuration: stageDuration.summary()
+        };
+    };
+}
+
+// the latest SAMPLE_SIZE timings (in milliseconds), plus a count and sum of all of them
+function Samples() {
+    var latest = [];
+    var next = 0;
+    var count = 0;
+    var sum = 0;
+
+    this.add = (ms) => {
+        if (latest.length < SAMPLE_SIZE) latest.push(ms);
+        else latest[next] = ms;
+        next = (next + 1) % SAMPLE_SIZE;
+        count++;
+        sum += ms;
+    };
+
+    this.summary = () => {
+        var sorted = latest.slice().sort((a, b) => a - b);
+        var rv = { count: count, sum: sum };
+        QUANTILES.forEach((q) => {
+            rv['p' + Math.round(q * 100)] = sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))] : null;
+        });
+        rv.max = sorted.length ? sorted[sorted.length - 1] : null;
+        return rv;
+    };
+}
+
+/**
+ * Prometheus text format for a list of snapshots. Timings are converted to
+ * seconds, as Prometheus likes them, and reported as summaries.
+ */
+function toPrometheus(snapshots, prefix) {
+    var lines = [];
+    var names = {};
+    var labels = snapshots.map((snap) => {
+        // two pools can look alike once passwords are redacted, so number any repeats
+        var name = snap.name;
+        names[name] = (names[name] || 0) + 1;
+        if (names[name] > 1) name += " (" + names[name] + ")";
+        return 'pool="' + escapeLabel(name) + '"';
+    });
+
+    gauge('pool_connections', "Connections in the pool, by state.", (snap, label) => {
+        var c = snap.connections;
+        return [['total', c.total], ['idle', c.idle], ['in_use', c.inUse]]
+            .filter((pair) => pair[1] !== null)
+            .map((pair) => sample('pool_connections', label + ',state="' + pair[0] + '"', pair[1]));
+    });
+    gauge('pool_waiting', "Stages waiting for a connection.", (snap, label) => [sample('pool_waiting', label, snap.connections.waiting)]);
+    counter('stages_total', "Stages run.", 'stages');
+    counter('commits_total', "Transactions committed.", 'commits');
+    counter('rollbacks_total', "Transactions rolled back.", 'rollbacks');
+    counter('errors_total', "Stages that failed.", 'errors');
+    summary('acquire_seconds', "Time taken to get a connection from the pool.", 'acquireTime');
+    summary('stage_seconds', "Time taken to run a whole stage.", 'stageDuration');
+    return lines.join("\n") + "\n";
+
+    function gauge(name, help, samplesOf) {
+        header(name, help, 'gauge');
+        snapshots.forEach((snap, i) => {
+            Array.prototype.push.apply(lines, samplesOf(snap, labels[i]));
+        });
+    }
+
+    function counter(name, help, field) {
+        header(name, help, 'counter');
+        snapshots.forEach((snap, i) => {
+            lines.push(sample(name, labels[i], snap[field]));
+        });
+    }
+
+    function summary(name, help, field) {
+        header(name, help, 'summary');
+        snapshots.forEach((snap, i) => {
+            var timings = snap[field];
+            QUANTILES.forEach((q) => {
+                var ms = timings['p' + Math.round(q * 100)];
+                if (ms !== null) lines.push(sample(name, labels[i] + ',quantile="' + q + '"', ms / 1000));
+            });
+            lines.push(sample(name + '_sum', labels[i], timings.sum / 1000));
+            lines.push(sample(name + '_count', labels[i], timings.count));
+        });
+    }
+
+    function header(name, help, type) {
+        lines.push("# HELP " + prefix + name + " " + help);
+        lines.push("# TYPE " + prefix + name + " " + type);
+    }
+
+    function sample(name, label, value) {
+        return prefix + name + "{" + label + "} " + value;
+    }
+}
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+module.exports = {
+    PoolStats: PoolStats,
+    toPrometheus: toPrometheus
+};
@@ -0,0 +1,525 @@
+const async = require('async');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const db = require('./db');
+const migrations = require('./migrations');
+
+// an in-memory database needs no setup, and vanishes when the pool is closed
+const dbconfig = { driver: 'sqlite', filename: ':memory:' };
+
+var tblcnt = 0;
+function generateRandomName() {
+    return "TMP" + Math.floor(Math.random() * 10000) + "_" + (tblcnt++);
+}
+
+// as in test.js, most tests run once with transactions and once without
+var autocommit = false;
+
+var simpleTests = [
+    canonicalExample, scalarQueries, multiRowParams, invalidSql, selectThenUpdateEach, bulkInsert,
+    templateQueries, shapedResults, listPlaceholders, backslashesInStrings, sqliteComments, executeDetailedInsertIds, crudHelpers
+];
+
+var compositeTests = simpleTests.map((fn) => {
+    return (cb) => {
+        autocommit = false;
+        console.log(fn.name + " with transaction (sqlite)");
+        fn(() => {
+            autocommit = true;
+            console.log(fn.name + " with autocommit (sqlite)");
+            fn(cb);
+        });
+    }
+});
+
+var dualTests = [
+    failWithRollback, failWithoutRollback, performReturnsPromise, performResolvesFalsyResults, namedConfigs, streamRows, migrationsGoUpAndDown, migrationsTakeStaleLocks, explainQueries, stepsShareTheTransaction, savepointsAndReadOnly
+];
+
+async.series(compositeTests.concat(dualTests), alldone);
+
+function canonicalExample(callback) {
+    var tbl = generateRandomName();
+    var stage = db.stage(dbconfig);
+    stage.execute("create table " + tbl + "(col1 mediumint, col2 varchar(50), col3 varchar(50))");
+    stage.execute("insert into " + tbl + "(col1, col2, col3) values (?,?,?)", [0, 'hello', 'world']);
+    stage.execute("insert into " + tbl + "(col1, col2, col3) values (:id, :x, :y)", { id: 1, x: 'Also', y: 'ok' });
+    stage.queryInt("select count(*) from " + tbl + "");
+    stage.execute("insert into " + tbl + "(col1, col2, col3) values ($3, :t, :y)", { t: 'Inter-statement', y: 'reference!' });
+    stage.queryString("select col2 from " + tbl + " where col1 = 2");
+    stage.execute("insert into " + tbl + "(col1, col2, col3) values (?,?,?)", [[3, 'three', 'yeah'], [4, 'four', 'no'], [5, 'five', 'maybe']]);
+    stage.execute("update " + tbl + " set col3 = col2 where col1 > :minval", { minval: 2 });
+    stage.query("select * from " + tbl + " where col1 < :maxval order by col1 desc", { maxval: 2 });
+    stage.execute("drop table " + tbl + "")
+    stage.finale((error, results) => {
+        if (error != null) throw new Error("An error was thrown: " + error.message);
+        if (results == null) throw new Error("No results were returned");
+        if (results[0] != 0) throw new Error("CREATE TABLE actions should return a result of 0 (i.e., 0 rows impacted)");
+        if (results[1] != 1) throw new Error("Inserting 1 row should have returned a result of 1 (i.e., 1 row impacted)");
+        if (results[2] != 1) throw new Error("Inserting 1 row should have returned a result of 1 (i.e., 1 row impacted)");
+        if (results[3] != 2) throw new Error("We inserted 2 rows, so why didn't count(*) return 2?");
+        if (results[4] != 1) throw new Error("Inserting 1 row should have returned a result of 1 (i.e., 1 row impacted)");
+        if (results[5] != 'Inter-statement') throw new Error("Should have gotten back the value we inserted into the row with col1=2");
+        if (results[6] != 3) throw new Error("Inserting 3 rows should have affected 3 rows");
+        if (results[7] != 3) throw new Error("Updating 3 rows should have affected three rows (i.e., those with col1 = 3, 4, and 5)");
+        if (results[8].length != 2) throw new Error("Querying for the rows with col1 < 2 should have returned 2 rows");
+        if (results[8][0].col1 != 1) throw new Error("We asked for all the rows in order of decreasing col1; why didn't we get col1 as the first entry?");
+        if (results[8][1].col2 != 'hello') throw new Error("The col2 column for the second row in our result set (by decreasing col1) should have been 'hello'");
+        process.nextTick(callback);
+    }, autocommit);
+}
+
+function scalarQueries(callback) {
+    db.stage(dbconfig)
+        .queryInt("select 1+1")
+        .queryFloat("select 0.25")
+        .queryString("select 'happy'")
+        .queryString("select null", null, 'dflt')
+        .queryInt("select 42.5", null, 3)
+        .finale((err, results) => {
+            if (err) throw err;
+            if (results[0] !== 2) throw new Error("1+1 should have come back as 2: " + results[0]);
+            if (results[1] !== 0.25) throw new Error("Float should have come back as 0.25: " + results[1]);
+            if (results[2] !== 'happy') throw new Error("String should have come back as happy: " + results[2]);
+            if (results[3] !== 'dflt') throw new Error("Null should have come back as the default: " + results[3]);
+            if (results[4] !== 3) throw new Error("A non-integer should have come back as the default: " + results[4]);
+            process.nextTick(callback);
+        }, autocommit);
+}
+
+function multiRowParams(callback) {
+    var tbl = generateRandomName();
+    db.stage(dbconfig)
+        .execute("CREATE TABLE " + tbl + "(id INTEGER PRIMARY KEY AUTOINCREMENT, txt VARCHAR(256) NOT NULL, rate FLOAT)")
+        .execute("insert into " + tbl + "(txt,rate) values(:txt, :rate)", [{ txt: "two", rate: 2 }, { txt: "three", rate: 3 }])
+        .query("select txt from " + tbl + " where rate = ?", [[2], [3], [4]])
+        .execute("DROP TABLE " + tbl)
+        .finale((err, results) => {
+            if (err) throw err;
+            if (results[1] != 2) throw new Error("Failed to bulk-insert two rows into the database");
+            if (results[2].length != 3) throw new Error("Should have gotten back one result set per param row");
+            if (results[2][1][0].txt != "three") throw new Error("Second result set should have held 'three'");
+            if (results[2][2].length != 0) throw new Error("Third result set should have been empty");
+            process.nextTick(callback);
+        }, autocommit);
+}
+
+function selectThenUpdateEach(callback) {
+    var tbl = generateRandomName();
+    db.stage(dbconfig)
+        .execute("create table " + tbl + "(id INTEGER, qty INTEGER, note VARCHAR(20))")
+        .execute("insert into " + tbl + "(id, qty) values (?, ?)", [[1, 10], [2, 20], [3, 30]])
+        .query("select id, qty from " + tbl + " where qty >= :min order by id", { min: 20 }).as('big')
+        .executeEach('big', "update " + tbl + " set qty = $row.qty / 2, note = :note where id = $row.id", { note: 'halved' })
+        .queryInt("select sum(qty) from " + tbl + " where id = $big.id")
+        .query("select * from " + tbl + " order by id").as('after')
+        .execute("drop table " + tbl)
+        .finale((err, results) => {
+            if (err) throw err;
+            if (results[3] != 2) throw new Error("Should have updated the two big rows: " + results[3]);
+            if (results[4] != 10) throw new Error("$big.id should have referred to the first big row: " + results[4]);
+            if (results[5].map((r) => r.qty).join(",") != "10,10,15") throw new Error("Wrong quantities after update: " + JSON.stringify(results[5]));
+            if (results[5][2].note != 'halved') throw new Error("Explicit params should have been bound for every row");
+            process.nextTick(callback);
+        }, autocommit);
+}
+
+function bulkInsert(callback) {
+    var tbl = generateRandomName();
+    var rows = Array.from(Array(2500).keys()).map((i) => {
+        return { id: i, txt: "row " + i };
+    });
+    db.stage(dbconfig)
+        .execute("create table " + tbl + "(id INTEGER PRIMARY KEY, txt VARCHAR(20))")
+        .executeBulk("insert into " + tbl + "(id, txt) values (:id, :txt)", rows)
+        .queryInt("select count(*) from " + tbl)
+        .queryString("select txt from " + tbl + " where id = 2499")
+        .execute("drop table " + tbl)
+        .finale((err, results) => {
+            if (err) throw err;
+            if (results[1] !== 2500 || results[2] !== 2500) throw new Error("Should have inserted 2500 rows: " + results[1] + ", " + results[2]);
+            if (results[3] != "row 2499") throw new Error("Last row should have been inserted");
+            process.nextTick(callback);
+        }, autocommit);
+}
+
+function templateQueries(callback) {
+    var tbl = db.id(generateRandomName());
+    var nm = "it's";
+    db.stage(dbconfig)
+        .execute`create table ${tbl}(id INTEGER, txt VARCHAR(20))`
+        .execute`insert into ${tbl}(id, txt) values (${1}, ${nm}), (${2}, ${"other"})`
+        .queryString`select txt from ${tbl} where id = ${1} and txt = ${nm}`
+        .query(db.sql`select id from ${tbl} ${nm ? db.sql`where txt <> ${nm}` : db.raw("")}`)
+        .execute`drop table ${tbl}`
+        .finale((err, results) => {
+            if (err) throw err;
+            if (results[1] != 2) throw new Error("Should have inserted two rows: " + results[1]);
+            if (results[2] != nm) throw new Error("Should have found the quoted string: " + results[2]);
+            if (results[3].length != 1 || results[3][0].id != 2) throw new Error("The optional where clause should have been applied");
+            process.nextTick(callback);
+        }, autocommit);
+}
+
+function shapedResults(callback) {
+    var tbl = generateRandomName();
+    db.stage(dbconfig)
+        .execute("create table " + tbl + "(id INTEGER, cust VARCHAR(20), paid BOOLEAN, placed DATETIME)")
+        .executeBulk("insert into " + tbl + "(id, cust, paid, placed) values (?, ?, ?, ?)", [[1, 'a', true, '2020-01-01T00:00:00Z'], [2, 'b', false, '2020-06-01T00:00:00Z'], [3, 'a', true, '2021-01-01T00:00:00Z']])
+        .queryRow("select * from " + tbl + " order by id desc")
+        .queryColumn("select id from " + tbl + " where cust = ? order by id", [['a'], ['b']])
+        .queryMap("select * from " + tbl, null, 'cust', { group: true })
+        .queryExists("select 1 from " + tbl + " where cust = ?", ['c'])
+        .queryBool("select paid from " + tbl + " where id = $2.id - 1")
+        .queryDate("select max(placed) from " + tbl)
+        .queryBigInt("select sum(id) * 1000000000000 from " + tbl)
+        .execute("drop table " + tbl)
+        .finale((err, results) => {
+            if (err) throw err;
+            if (results[2].id != 3) throw new Error("queryRow should have returned the last row");
+            if (JSON.stringify(results[3]) != "[[1,3],[2]]") throw new Error("queryColumn should have run once per param row: " + JSON.stringify(results[3]));
+            if (results[4].a.length != 2 || results[4].b[0].id != 2) throw new Error("queryMap should have grouped by cust");
+            if (results[5] !== false) throw new Error("Nobody is called c");
+            if (results[6] !== false) throw new Error("Row 2 wasn't paid: " + results[6]);
+            if (results[7].getUTCFullYear() != 2021) throw new Error("Should have gotten the latest date: " + results[7]);
+            if (results[8] !== 6000000000000n) throw new Error("Should have gotten a BigInt: " + results[8]);
+            process.nextTick(callback);
+        }, autocommit);
+}
+
+function listPlaceholders(callback) {
+    var tbl = generateRandomName();
+    db.stage(dbconfig)
+        .execute("create table " + tbl + "(id INTEGER, cust VARCHAR(20))")
+        .executeBulk("insert into " + tbl + "(id, cust) values (?, ?)", [[1, 'a'], [2, 'b'], [3, 'c'], [4, 'a']])
+        .queryColumn("select id from " + tbl + " where cust in (:custs...) order by id", { custs: ['a', 'c'] })
+        .queryInt("select count(*) from " + tbl + " where id in ($2...) and cust = ?", ['a'])
+        .execute("delete from " + tbl + " where id in (?...)", [[[1, 2]], [[3]]])
+        .queryColumn("select id from " + tbl)
+        .execute("drop table " + tbl)
+        .finale((err, results) => {
+            if (err) throw err;
+            if (JSON.stringify(results[2]) != "[1,3,4]") throw new Error("Should have found customers a and c: " + JSON.stringify(results[2]));
+            if (results[3] != 2) throw new Error("Two of those are customer a's: " + results[3]);
+            if (results[4] != 3) throw new Error("Should have deleted three rows, in two goes: " + results[4]);
+            if (JSON.stringify(results[5]) != "[4]") throw new Error("Only row 4 should be left: " + JSON.stringify(results[5]));
+            process.nextTick(callback);
+        }, autocommit);
+}
+
+// SQLite doesn't treat \ as an escape, so 'C:\' is a whole string, and the placeholders after it count
+function backslashesInStrings(callback) {
+    var tbl = generateRandomName();
+    db.stage(dbconfig)
+        .queryRow("select 'C:\\' as p, ? as v", [5])
+        .execute("create table " + tbl + "(dir VARCHAR(20), n INTEGER)")
+        .executeBulk("insert into " + tbl + "(dir, n) values ('C:\\', ?)", [[1], [2]])
+        .queryInt("select sum(n) from " + tbl + " where dir = 'C:\\' and n > ?", [0])
+        .execute("drop table " + tbl)
+        .finale((err, results) => {
+            if (err) throw err;
+            if (results[0].p != "C:\\" || results[0].v != 5) throw new Error("Should have read the string and bound the param: " + JSON.stringify(results[0]));
+            if (results[2] != 2 || results[3] != 3) throw new Error("Should have inserted and summed both rows: " + JSON.stringify(results));
+            process.nextTick(callback);
+        }, autocommit);
+}
+
+// SQLite's -- comments don't need a space after them, and # doesn't start one
+function sqliteComments(callback) {
+    db.stage(dbconfig)
+        .queryInt("select ? --why?\n", [5])
+        .queryInt("select ? -- and why? \n + 1", [5])
+        .finale((err, results) => {
+            if (err) throw err;
+            if (results[0] != 5 || results[1] != 6) throw new Error("Should have skipped the ?s in the comments: " + JSON.stringify(results));
+            process.nextTick(callback);
+        }, autocommit);
+}
+
+function executeDetailedInsertIds(callback) {
+    var tbl = generateRandomName();
+    db.stage(dbconfig)
+        .execute("create table " + tbl + "(id INTEGER PRIMARY KEY AUTOINCREMENT, txt VARCHAR(20), parent INTEGER)")
+        .executeDetailed("insert into " + tbl + "(txt) values (?)", [['one'], ['two']]).as('parents')
+        .executeDetailed("insert into " + tbl + "(txt, parent) values ('child', $parents.insertId)")
+        .queryInt("select parent from " + tbl + " where txt = 'child'")
+        .execute("drop table " + tbl)
+        .finale((err, results) => {
+            if (err) throw err;
+            if (JSON.stringify(results[1].insertIds) != "[1,2]" || results[1].affectedRows != 2) throw new Error("Should have gotten both new ids: " + JSON.stringify(results[1]));
+            if (results[2].insertId != 3) throw new Error("The child should have been row 3: " + JSON.stringify(results[2]));
+            if (results[3] != 2) throw new Error("$parents.insertId should have bound the last id: " + results[3]);
+            process.nextTick(callback);
+        }, autocommit);
+}
+
+function crudHelpers(callback) {
+    var tbl = generateRandomName();
+    db.stage(dbconfig)
+        .execute("create table " + tbl + "(sku VARCHAR(20) PRIMARY KEY, qty INTEGER, note VARCHAR(50))")
+        .insert(tbl, [{ sku: 'a', qty: 1, note: "it's" }, { sku: 'b', qty: 2, note: 'gone' }], { checkColumns: true })
+        .upsert(tbl, [{ sku: 'a', qty: 10, note: 'changed' }, { sku: 'c', qty: 3, note: 'new' }], { conflictColumns: ['sku'], updateColumns: ['qty'] })
+        .update(tbl, { qty: db.raw('qty + 1') }, { sku: ['b', 'c'] }, { checkColumns: true })
+        .delete(tbl, { note: 'gone' })
+        .query("select sku, qty, note from " + tbl + " order by sku")
+        .execute("drop table " + tbl)
+        .finale((err, results) => {
+            if (err) throw err;
+            if (results[1] != 2 || results[2] != 2 || results[3] != 2 || results[4] != 1) throw new Error("Unexpected row counts: " + JSON.stringify(results));
+            if (JSON.stringify(results[5]) != '[{"sku":"a","qty":10,"note":"it\'s"},{"sku":"c","qty":4,"note":"new"}]') throw new Error("Unexpected rows: " + JSON.stringify(results[5]));
+            db.stage(dbconfig).upsert(tbl, { sku: 'a', qty: 1 }).finale((err) => {
+                if (!err || !(err.cause instanceof db.DbValidationError) || err.code != 'PARAM_SHAPE_MISMATCH' || err.cause.rawSql != tbl)
+                    throw new Error("An upsert without conflictColumns should be a validation error: " + err);
+                process.nextTick(callback);
+            }, autocommit);
+        }, autocommit);
+}
+
+function invalidSql(callback) {
+    db.stage(dbconfig).execute("select * from " + generateRandomName()).finale((err) => {
+        if (!err) throw new Error("Invalid SQL should have generated an error.");
+        process.nextTick(callback);
+    }, autocommit);
+}
+
+function failWithRollback(callback) {
+    var tbl = generateRandomName();
+    db.stage(dbconfig).execute("create table " + tbl + "(id INTEGER)").finale((err) => {
+        if (err) throw new Error("Error on creating temporary table");
+        db.stage(dbconfig)
+            .execute("insert into " + tbl + " values(:id)", [{ id: 1 }, { id: 2 }, { id: 3 }])
+            .execute("this is garbage")
+            .finale((err) => {
+                if (!err) throw new Error("We should have gotten an error from executing garbage sql.");
+                db.stage(dbconfig).queryInt("select count(*) from " + tbl)
+                    .execute("drop table " + tbl)
+                    .finale((err, results) => {
+                        if (err) throw new Error("Got an error back when counting rows inserted");
+                        if (results[0] != 0) throw new Error("Rollback seems to have failed");
+                        process.nextTick(callback);
+                    });
+            });
+    });
+}
+
+function failWithoutRollback(callback) {
+    var tbl = generateRandomName();
+    db.stage(dbconfig)
+        .execute("create table " + tbl + "(id INTEGER)")
+        .execute("insert into " + tbl + " values(:id)", [{ id: 1 }, { id: 2 }])
+        .execute("this is garbage")
+        .finale((err) => {
+            if (!err) throw new Error("We should have gotten an error from executing garbage sql.");
+            db.stage(dbconfig).queryInt("select count(*) from " + tbl)
+                .execute("drop table " + tbl)
+                .finale((err, results) => {
+                    if (err) throw new Error("Got an error back when counting rows inserted");
+                    if (results[0] != 2) throw new Error("Autocommit should have kept the rows inserted before the failure");
+                    process.nextTick(callback);
+                });
+        }, true);
+}
+
+function performReturnsPromise(callback) {
+    db.stage(dbconfig).queryInt("select 6*7").perform().then((result) => {
+        if (result !== 42) throw new Error("perform() should have resolved to 42");
+        process.nextTick(callback);
+    });
+}
+
+function performResolvesFalsyResults(callback) {
+    db.stage(dbconfig).queryExists("select 1 where 0").perform().then((exists) => {
+        if (exists !== false) throw new Error("queryExists should have resolved to false: " + exists);
+        return db.stage(dbconfig).queryBool("select 0").perform();
+    }).then((result) => {
+        if (result !== false) throw new Error("queryBool should have resolved to false: " + result);
+        process.nextTick(callback);
+    });
+}
+
+function namedConfigs(callback) {
+    db.configure('memory', 'sqlite::memory:');
+    db.stage('memory').queryInt("select 6*7").perform().then((result) => {
+        if (result !== 42) throw new Error("A stage with a named config should have resolved to 42");
+        process.nextTick(callback);
+    });
+}
+
+function streamRows(callback) {
+    var tbl = generateRandomName();
+    var rows = Array.from(Array(50).keys()).map((i) => [i, "row " + i]);
+    var stream = db.stage(dbconfig)
+        .execute("create table " + tbl + "(id INTEGER, txt VARCHAR(20))")
+        .execute("insert into " + tbl + "(id, txt) values (?, ?)", rows)
+        .queryInt("select 10")
+        .stream("select * from " + tbl + " where id >= $2 order by id", null, { highWaterMark: 4 });
+    (async () => {
+        var seen = [];
+        for await (var row of stream) seen.push(row.id);
+        if (seen.length != 40 || seen[0] != 10 || seen[39] != 49) throw new Error("Should have streamed rows 10 to 49: " + seen.join(","));
+        db.stage(dbconfig).queryInt("select count(*) from " + tbl).execute("drop table " + tbl).finale((err, results) => {
+            if (err) throw err;
+            if (results[0] != 50) throw new Error("The stream's transaction should have been committed");
+            process.nextTick(callback);
+        });
+    })();
+}
+
+function migrationsGoUpAndDown(callback) {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+    var tbl = generateRandomName();
+    fs.writeFileSync(path.join(dir, "001_create.up.sql"), "-- a table; with a comment\ncreate table " + tbl + " (id INTEGER, txt VARCHAR(20));\ninsert into " + tbl + " values (1, 'a;b');\n");
+    fs.writeFileSync(path.join(dir, "001_create.down.sql"), "drop table " + tbl + ";");
+    fs.writeFileSync(path.join(dir, "002_fill.js"), "module.exports = { up: (stage) => stage.execute('insert into " + tbl + " values (?, ?)', [[2, 'b'], [3, 'c']]), down: (stage) => stage.execute('delete from " + tbl + " where id > 1') };");
+    fs.writeFileSync(path.join(dir, "003_broken.up.sql"), "update " + tbl + " set txt = 'z';\nselect * from nonesuch;");
+    var migrator = migrations.migrator(dbconfig, { directory: dir, table: generateRandomName() });
+    async.series([
+        (cb) => migrator.up((err, versions) => {
+            if (!err || err.migration != "003_broken") throw new Error("The broken migration should have failed: " + err);
+            if (versions.join(",") != "1,2") throw new Error("Should have applied 1 and 2 first: " + versions);
+            cb();
+        }),
+        (cb) => db.stage(dbconfig).queryColumn("select txt from " + tbl + " order by id").finale((err, txt) => {
+            if (err) throw err;
+            if (txt.join(",") != "a;b,b,c") throw new Error("The broken migration should have been rolled back: " + txt);
+            cb();
+        }),
+        (cb) => migrator.status((err, list) => {
+            if (err) throw err;
+            if (list.map((m) => m.id + ":" + m.applied).join(",") != "001_create:true,002_fill:true,003_broken:false") throw new Error("Unexpected status: " + JSON.stringify(list));
+            fs.unlinkSync(path.join(dir, "003_broken.up.sql"));
+            cb();
+        }),
+        (cb) => migrator.down((err, versions) => {
+            if (err) throw err;
+            if (versions.join(",") != "2") throw new Error("Should have rolled back just the latest: " + versions);
+            cb();
+        }),
+        (cb) => migrator.down(0, (err, versions) => {
+            if (err) throw err;
+            if (versions.join(",") != "1") throw new Error("Should have rolled back the rest: " + versions);
+            cb();
+        }),
+        (cb) => db.stage(dbconfig).queryExists("select * from sqlite_master where name = ?", [tbl]).finale((err, exists) => {
+            if (err) throw err;
+            if (exists) throw new Error("Rolling back 001 should have dropped the table");
+            cb();
+        })
+    ], () => {
+        fs.rmSync(dir, { recursive: true });
+        process.nextTick(callback);
+    });
+}
+
+function migrationsTakeStaleLocks(callback) {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+    var tbl = generateRandomName();
+    var locks = db.id(tbl + "_lock");
+    var warnings = [];
+    fs.writeFileSync(path.join(dir, "001_nothing.up.sql"), "select 1;");
+    fs.writeFileSync(path.join(dir, "001_nothing.down.sql"), "select 2;");
+    var migrator = migrations.migrator(dbconfig, { directory: dir, table: tbl, lockTimeout: 60000, logger: { warn: (msg) => warnings.push(msg) } });
+    async.series([
+        (cb) => migrator.status((err) => cb(err)), // makes the tables
+        (cb) => db.stage(dbconfig).execute(db.sql`insert into ${locks} (id, locked_by, locked_at) values (1, 'crashed', '2000-01-01 00:00:00')`).finale(cb, true),
+        (cb) => migrator.up((err, versions) => {
+            if (err) throw new Error("A lock from 2000 should have been taken away: " + err);
+            if (versions.join(",") != "1" || warnings.length != 1 || !/took away a migration lock/.test(warnings[0])) throw new Error("Should have migrated, with a warning: " + versions + " " + warnings);
+            cb();
+        }),
+        (cb) => db.stage(dbconfig).execute(db.sql`insert into ${locks} (id, locked_by, locked_at) values (1, 'running', ${new Date().toISOString().replace('T', ' ').substring(0, 19)})`).finale(cb, true),
+        (cb) => migrator.down((err) => {
+            if (!err || err.code != 'MIGRATION_LOCKED' || !/running/.test(err.message)) throw new Error("A fresh lock should still keep others out: " + err);
+            migrator.unlock(cb);
+        }),
+        (cb) => migrator.down((err, versions) => {
+            if (err) throw err;
+            if (versions.join(",") != "1") throw new Error("Should have rolled back once unlocked: " + versions);
+            cb();
+        })
+    ], (err) => {
+        fs.rmSync(dir, { recursive: true });
+        if (err) throw err;
+        process.nextTick(callback);
+    });
+}
+
+function explainQueries(callback) {
+    var tbl = generateRandomName();
+    db.stage(dbconfig)
+        .execute("create table " + tbl + "(id INTEGER PRIMARY KEY, txt VARCHAR(20))")
+        .execute("insert into " + tbl + "(id, txt) values (?, ?)", [[1, 'a'], [2, 'b']])
+        .finale((err) => {
+            if (err) throw err;
+            db.stage(dbconfig)
+                .execute("insert into " + tbl + "(id, txt) values (3, 'c')")
+                .query("select * from " + tbl + " where id = ?", [1])
+                .queryInt("select count(*) from " + tbl + " where txt <> $1.txt")
+                .explain((err, plans) => {
+                    if (err) throw err;
+                    if (plans.length != 2) throw new Error("Should have explained both queries");
+                    if (plans[0].fullScans.length) throw new Error("Looking up by primary key isn't a full scan: " + JSON.stringify(plans[0].plan));
+                    if (plans[1].fullScans.join() != tbl || plans[1].args[0] != 'a') throw new Error("Should have flagged the scan of " + tbl + ": " + JSON.stringify(plans[1]));
+                    db.stage(dbconfig).queryInt("select count(*) from " + tbl).execute("drop table " + tbl).finale((err, results) => {
+                        if (err) throw err;
+                        if (results[0] != 2) throw new Error("explain() should have rolled back the insert");
+                        process.nextTick(callback);
+                    });
+                });
+        });
+}
+
+function stepsShareTheTransaction(callback) {
+    var tbl = generateRandomName();
+    db.stage(dbconfig).execute("create table " + tbl + "(id INTEGER, qty INTEGER)").finale((err) => {
+        if (err) throw err;
+        db.stage(dbconfig)
+            .execute("insert into " + tbl + "(id, qty) values (?, ?)", [[1, 5], [2, 0]])
+            .query("select id from " + tbl + " where qty = 0").as('empty')
+            .then((results, more) => {
+                results.empty.forEach((row) => more.execute("delete from " + tbl + " where id = ?", [row.id]));
+                more.queryInt("select count(*) from " + tbl);
+            }).as('left')
+            .when((results) => results.left[1] == 1, db.stage(dbconfig).execute("insert into nonesuch values (1)"))
+            .finale((err) => {
+                if (!err || err.step !== 3) throw new Error("The statement from when() should have failed: " + err);
+                db.stage(dbconfig).queryInt("select count(*) from " + tbl).execute("drop table " + tbl).finale((err, results) => {
+                    if (err) throw err;
+                    if (results[0] != 0) throw new Error("Everything, steps and all, should have been rolled back");
+                    process.nextTick(callback);
+                });
+            });
+    });
+}
+
+function savepointsAndReadOnly(callback) {
+    var tbl = generateRandomName();
+    async.series([
+        (cb) => db.stage(dbconfig)
+            .execute("create table " + tbl + "(id INTEGER PRIMARY KEY)")
+            .execute("insert into " + tbl + "(id) values (1)")
+            .optional().execute("insert into " + tbl + "(id) values (?)", [[2], [1]])
+            .execute("insert into " + tbl + "(id) values (3)")
+            .perform()
+            .then((results) => {
+                if (!(results[2] instanceof db.DbStageError) || results[2].paramRow !== 1) throw new Error("The duplicate should have been the optional statement's result: " + results[2]);
+                cb();
+            }),
+        (cb) => db.stage(dbconfig).execute("insert into " + tbl + "(id) values (4)").finale((err) => {
+            if (!err || !/readonly/i.test(err.message)) throw new Error("A read-only transaction should have refused the insert: " + err);
+            cb();
+        }, { readOnly: true, isolation: 'SERIALIZABLE' }),
+        (cb) => db.stage(dbconfig).execute("insert into " + tbl + "(id) values (5)").queryColumn("select id from " + tbl + " order by id").execute("drop table " + tbl).finale((err, results) => {
+            if (err) throw new Error("The next transaction shouldn't have been read-only: " + err);
+            if (results[1].join(",") != "1,3,5") throw new Error("Only the optional statement's own work should have been rolled back: " + results[1]);
+            cb();
+        })
+    ], () => process.nextTick(callback));
+}
+
+function alldone() {
+    db.curtains(() => {
+        console.log("Ok");
+    });
+}
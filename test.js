@@ -14,7 +14,7 @@ var autocommit = false;
 // here's our list of tests. each throws an Error on failure.
 var simpleTests = [
     canonicalExample,
-    tablelessQuery, differentParamTypes, simpleInsertsWithQueryScalar, insertWithLastInsertId, manyInsertsWithQueryList,
+    tablelessQuery, differentParamTypes, simpleInsertsWithQueryScalar, insertWithLastInsertId, insertWithExecuteDetailed, crudHelpers, manyInsertsWithQueryList,
     oneQueryOneResult,
     invalidPoolConfig, invalidSql, emptyResultSet, castFloatFails, castIntegerFails,
     repetitionsFails, repetitiousSuccess
@@ -152,6 +152,38 @@ function insertWithLastInsertId(callback) {
         }, autocommit);
 }
 
+function insertWithExecuteDetailed(callback) {
+    var tbl = generateRandomName();
+    db.stage(dbconfig)
+        .execute("CREATE TABLE " + tbl + "(id MEDIUMINT NOT NULL AUTO_INCREMENT, txt VARCHAR(256) NOT NULL, rate FLOAT, PRIMARY KEY(id))")
+        .executeDetailed("insert into " + tbl + "(txt) values(?)", [['one'], ['two']])
+        .executeDetailed("update " + tbl + " set rate = $1.insertId where txt = 'two'")
+        .execute("DROP TABLE " + tbl)
+        .finale(function (err, results) {
+            if (err) throw err;
+            if (JSON.stringify(results[1].insertIds) != "[1,2]" || results[1].insertId != 2) throw new Error("insertIds didn't come back right... " + JSON.stringify(results[1]));
+            if (results[2].affectedRows != 1 || results[2].changedRows != 1) throw new Error("The update should have changed one row... " + JSON.stringify(results[2]));
+            process.nextTick(callback);
+        }, autocommit);
+}
+
+function crudHelpers(callback) {
+    var tbl = generateRandomName();
+    db.stage(dbconfig)
+        .execute("CREATE TABLE " + tbl + "(id MEDIUMINT NOT NULL AUTO_INCREMENT, txt VARCHAR(256) NOT NULL, rate FLOAT, PRIMARY KEY(id))")
+        .insert(tbl, [{ txt: 'one', rate: 1 }, { txt: 'two', rate: 2 }], { detailed: true, checkColumns: true })
+        .upsert(tbl, { id: db.raw('$1.insertId'), txt: 'TWO', rate: 20 }, { conflictColumns: ['id'], updateColumns: ['txt'] })
+        .update(tbl, { rate: db.raw('rate * 10') }, { id: [1, 2] }, { checkColumns: true })
+        .queryRow("select txt, rate from " + tbl + " where id = 2")
+        .execute("DROP TABLE " + tbl)
+        .finale(function (err, results) {
+            if (err) throw err;
+            if (JSON.stringify(results[1].insertIds) != "[1,2]") throw new Error("insert() didn't return the new ids... " + JSON.stringify(results[1]));
+            if (results[4].txt != 'TWO' || results[4].rate != 20) throw new Error("upsert() should have updated txt, and only txt... " + JSON.stringify(results[4]));
+            process.nextTick(callback);
+        }, autocommit);
+}
+
 function manyInsertsWithQueryList(callback) {
     var tbl = generateRandomName();
     var N = 10;